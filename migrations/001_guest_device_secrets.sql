@@ -0,0 +1,2 @@
+-- /auth/guest: SHA-256 of the device secret a guest's tokens are issued to.
+alter table device_usage add column if not exists guest_secret_hash text;
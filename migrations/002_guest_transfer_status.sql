@@ -0,0 +1,21 @@
+-- One row per guest ever transferred into an account (guest_id is unique, so
+-- a guest can only go to one user). /auth/transfer-credits records each
+-- finished step on it.
+create table if not exists guest_transfers (
+    guest_id     text primary key,
+    user_id      text not null,
+    status       text not null default 'pending',
+    credits      int,
+    request_id   text,
+    sync_moved   boolean,
+    rows_moved   jsonb,
+    ip           text,
+    user_agent   text,
+    created_at   timestamptz not null default now(),
+    completed_at timestamptz
+);
+
+-- Failed guest transfers are kept (status 'failed' + error) and resumed by
+-- the same user; rows that collided on move are counted in rows_skipped.
+alter table guest_transfers add column if not exists error text;
+alter table guest_transfers add column if not exists rows_skipped jsonb;
@@ -0,0 +1,15 @@
+-- Shared second tier of the per-image model cache (IMAGE_CACHE_BACKEND=postgres).
+-- key is "<kind>:<hash>": the perceptual hash for "subject", the SHA-256 of
+-- the normalised JPEG for everything else.
+create table if not exists image_cache (
+    key        text primary key,
+    kind       text not null,
+    value      jsonb not null,
+    expires_at timestamptz not null
+);
+
+create index if not exists image_cache_expires_at_idx on image_cache (expires_at);
+
+-- Enrichment and moderation used to be keyed by perceptual hash, so a look-alike
+-- photo could get another user's description. Drop those entries.
+delete from image_cache where kind in ('enrich', 'mod') and length(key) <> length(kind) + 1 + 64;
@@ -0,0 +1,36 @@
+-- /pet/tips/pool and /challenge/today partition their pools by locale.
+-- Rows from before that were all generated in English and belong to the
+-- default locale (CONFIG.DEFAULT_LOCALE, en-GB).
+alter table pet_tips_pool add column if not exists locale text;
+update pet_tips_pool set locale = 'en-GB' where locale is null;
+alter table pet_tips_pool alter column locale set default 'en-GB';
+alter table pet_tips_pool alter column locale set not null;
+
+alter table pet_challenges_pool add column if not exists locale text;
+update pet_challenges_pool set locale = 'en-GB' where locale is null;
+alter table pet_challenges_pool alter column locale set default 'en-GB';
+alter table pet_challenges_pool alter column locale set not null;
+
+-- Title uniqueness used to ignore locale, which would stop en-US reusing an
+-- en-GB title. Drop those constraints; the upserts target the indexes below.
+do $$
+declare r record;
+begin
+    for r in
+        select c.conname, c.conrelid::regclass as tbl
+        from pg_constraint c
+        where c.contype = 'u'
+          and c.conrelid in ('pet_tips_pool'::regclass, 'pet_challenges_pool'::regclass)
+          and not exists (
+              select 1 from pg_attribute a
+              where a.attrelid = c.conrelid and a.attnum = any (c.conkey) and a.attname = 'locale'
+          )
+    loop
+        execute format('alter table %s drop constraint %I', r.tbl, r.conname);
+    end loop;
+end $$;
+
+create unique index if not exists pet_tips_pool_locale_title_key
+    on pet_tips_pool (locale, pet_type, age_range, tip_type, title);
+create unique index if not exists pet_challenges_pool_locale_title_key
+    on pet_challenges_pool (locale, pet_type, age_range, title);
@@ -0,0 +1,5 @@
+-- /revenuecat/webhook claims an event as 'processing' and marks it
+-- 'processed' only after it's handled; 'failed' events are re-claimed by the
+-- retry. Events recorded before this were all handled.
+alter table revenuecat_events add column if not exists status text not null default 'processed';
+alter table revenuecat_events add column if not exists error text;
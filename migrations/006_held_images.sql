@@ -0,0 +1,10 @@
+-- Photos held for follow-up calls by imageId, shared between instances
+-- (IMAGE_HOLD_BACKEND=postgres). image is the preprocessed image object.
+create table if not exists held_images (
+    image_id    text primary key,
+    identity_id text not null,
+    image       jsonb not null,
+    expires_at  timestamptz not null
+);
+
+create index if not exists held_images_expires_at_idx on held_images (expires_at);
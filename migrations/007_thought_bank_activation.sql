@@ -0,0 +1,44 @@
+-- Versioned thought banks: every regeneration is a new version, one of
+-- which is active per label. Seeded from thoughtBanks.json on first start.
+create table if not exists thought_banks (
+    label      text not null,
+    version    int not null,
+    bank_date  date not null,
+    thoughts   jsonb not null,
+    active     boolean not null default false,
+    source     text,
+    created_at timestamptz not null default now(),
+    primary key (label, version)
+);
+
+-- Makes one version of a thought bank live in a single transaction. The
+-- advisory lock serialises concurrent activations of the same label, and the
+-- partial index guarantees at most one active version per label.
+-- Two-step activations could leave two versions live; keep the newest.
+update thought_banks t set active = false
+ where t.active
+   and exists (select 1 from thought_banks o where o.label = t.label and o.active and o.version > t.version);
+
+create unique index if not exists thought_banks_one_active_idx
+    on thought_banks (label) where active;
+
+create or replace function activate_thought_bank(p_label text, p_version int)
+returns setof thought_banks
+language plpgsql
+as $$
+begin
+    perform pg_advisory_xact_lock(hashtext('thought_banks:' || p_label));
+
+    if not exists (select 1 from thought_banks where label = p_label and version = p_version) then
+        return;
+    end if;
+
+    update thought_banks set active = false
+     where label = p_label and active and version <> p_version;
+
+    return query
+        update thought_banks set active = true
+         where label = p_label and version = p_version
+        returning *;
+end;
+$$;
@@ -0,0 +1,34 @@
+-- Long-term facts about a pet from /ask exchanges, plus one rolling summary
+-- row per pet (kind 'summary').
+create table if not exists pet_memories (
+    id          bigint generated always as identity primary key,
+    identity_id text not null,
+    pet_id      uuid not null,
+    kind        text not null default 'fact',
+    fact        text not null,
+    request_id  text,
+    created_at  timestamptz not null default now()
+);
+
+create index if not exists pet_memories_pet_idx on pet_memories (identity_id, pet_id, created_at);
+
+-- Every /ask answer (sbRecordAnswer), keyed by its request id, so feedback
+-- and memory summaries can be tied back to what was generated.
+create table if not exists ask_answers (
+    id          text primary key,
+    identity_id text not null,
+    pet_id      uuid,
+    label       text,
+    locale      text,
+    model       text,
+    question    text,
+    answer      text
+);
+
+-- Pet memory summaries now track the newest /ask exchange they cover (by
+-- ask_answers.created_at) instead of a count of client-sent messages.
+alter table pet_memories add column if not exists covers_until timestamptz;
+update pet_memories set covers_until = created_at where kind = 'summary' and covers_until is null;
+
+alter table ask_answers add column if not exists created_at timestamptz not null default now();
+create index if not exists ask_answers_pet_created_idx on ask_answers (identity_id, pet_id, created_at);
@@ -0,0 +1,9 @@
+-- Quick-thought lines each identity has already been shown, per bank label
+-- (bankLineKey hashes), so quick mode on /thought cycles through the whole bank.
+create table if not exists thought_bank_seen (
+    identity_id text not null,
+    label       text not null,
+    seen        jsonb not null default '[]',
+    updated_at  timestamptz not null default now(),
+    primary key (identity_id, label)
+);
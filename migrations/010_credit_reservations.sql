@@ -0,0 +1,40 @@
+-- Credits held for one AI generation: 'reserved' until the route commits
+-- (success) or releases (failure, refunded). The sweeper releases rows still
+-- reserved past expires_at.
+create table if not exists credit_reservations (
+    id          bigint generated always as identity primary key,
+    identity_id text not null,
+    cost        int not null,
+    route       text,
+    request_id  text,
+    status      text not null default 'reserved',
+    reason      text,
+    expires_at  timestamptz not null,
+    settled_at  timestamptz,
+    created_at  timestamptz not null default now()
+);
+
+create index if not exists credit_reservations_reserved_idx
+    on credit_reservations (expires_at) where status = 'reserved';
+
+-- Gives back spent credits by lowering tokens_used (never below 0), so a
+-- refund doesn't count as a purchase. Same arguments and row shape as
+-- grant_pro_credits; a missing device_usage row is created with
+-- p_default_seed tokens.
+create or replace function refund_pro_credits(p_device_id text, p_amount int, p_default_seed int default 0)
+returns table (tokens int, tokens_used int, remaining_pro int)
+language plpgsql
+as $$
+#variable_conflict use_column
+begin
+    insert into device_usage (device_id, tokens, tokens_used)
+    values (p_device_id, p_default_seed, 0)
+    on conflict (device_id) do nothing;
+
+    return query
+        update device_usage d
+           set tokens_used = greatest(0, d.tokens_used - p_amount)
+         where d.device_id = p_device_id
+        returning d.tokens::int, d.tokens_used::int, greatest(0, d.tokens - d.tokens_used)::int;
+end;
+$$;
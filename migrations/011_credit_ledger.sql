@@ -0,0 +1,19 @@
+-- Append-only record of every balance change (sbRecordLedger). amount is
+-- signed; the *_after columns snapshot device_usage after the change. id
+-- orders and pages /credits/history.
+create table if not exists credit_ledger (
+    id            bigint generated always as identity primary key,
+    identity_id   text not null,
+    kind          text not null,
+    amount        int not null,
+    source        text,
+    route         text,
+    request_id    text,
+    reason        text,
+    balance_after int,
+    tokens_after  int,
+    used_after    int,
+    created_at    timestamptz not null default now()
+);
+
+create index if not exists credit_ledger_identity_id_idx on credit_ledger (identity_id, id desc);
@@ -0,0 +1,17 @@
+-- Subscription state per identity, kept current by /revenuecat/webhook
+-- (and API syncs). last_event_at orders webhook deliveries: an older event
+-- never overwrites a newer one.
+create table if not exists subscriptions (
+    identity_id     text primary key,
+    entitlement_id  text,
+    product_id      text,
+    store           text,
+    period_type     text,
+    status          text,
+    is_active       boolean not null default false,
+    expires_at      timestamptz,
+    last_event_type text,
+    last_event_at   timestamptz,
+    created_at      timestamptz not null default now(),
+    updated_at      timestamptz not null default now()
+);
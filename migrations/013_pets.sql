@@ -0,0 +1,15 @@
+-- Server-side pet profiles (/pets/*), loaded by petId on the AI routes.
+create table if not exists pets (
+    id          uuid primary key default gen_random_uuid(),
+    identity_id text not null,
+    name        text not null,
+    label       text not null,
+    breed       text,
+    birth_date  date,
+    vibe        text,
+    photo_ref   text,
+    created_at  timestamptz not null default now(),
+    updated_at  timestamptz not null default now()
+);
+
+create index if not exists pets_identity_id_idx on pets (identity_id, created_at);
@@ -0,0 +1,7 @@
+-- Revisioned sync (/sync/push, /sync/pull). revision is bigint because rows
+-- from before revisions start from their updated_at in epoch ms (~1.7e12);
+-- revisions maps each section (or "pets:<id>") to the revision that last
+-- changed it.
+alter table user_sync add column if not exists revision bigint;
+alter table user_sync alter column revision type bigint;
+alter table user_sync add column if not exists revisions jsonb not null default '{}';
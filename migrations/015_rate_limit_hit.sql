@@ -0,0 +1,26 @@
+-- Shared fixed-window counters for RATE_LIMIT_STORE=supabase. One call counts
+-- a hit and starts a fresh window once the old one has ended; the server
+-- prunes ended windows every minute.
+create table if not exists rate_limit_counters (
+    key      text primary key,
+    count    int not null,
+    reset_at timestamptz not null
+);
+
+create index if not exists rate_limit_counters_reset_idx on rate_limit_counters (reset_at);
+
+create or replace function rate_limit_hit(p_key text, p_window_ms bigint)
+returns table (count int, reset_at timestamptz)
+language plpgsql
+as $$
+#variable_conflict use_column
+begin
+    return query
+        insert into rate_limit_counters as c (key, count, reset_at)
+        values (p_key, 1, now() + p_window_ms * interval '1 millisecond')
+        on conflict (key) do update
+           set count    = case when c.reset_at <= now() then 1 else c.count + 1 end,
+               reset_at = case when c.reset_at <= now() then excluded.reset_at else c.reset_at end
+        returning c.count, c.reset_at;
+end;
+$$;
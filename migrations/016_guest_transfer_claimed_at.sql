@@ -0,0 +1,4 @@
+-- When the current attempt at a transfer claimed the row. A row left
+-- 'pending' past GUEST_TRANSFER_STALE_MS (the request died mid-way) can be
+-- resumed by the same user.
+alter table guest_transfers add column if not exists claimed_at timestamptz not null default now();
@@ -0,0 +1,19 @@
+-- One row per AdMob SSV transaction (/ads/ssv); the transaction_id key is
+-- what stops a redelivered callback from granting twice. status goes
+-- verified -> granted | capped | rejected | failed, and a failed row is
+-- re-claimed by the network's retry. /ads/reward-credit reads the newest row
+-- per identity (and reward_id, the client's custom_data).
+create table if not exists ad_rewards (
+    transaction_id text primary key,
+    identity_id    text not null,
+    reward_id      text,
+    ad_unit        text,
+    reward_amount  int,
+    status         text not null default 'verified',
+    reason         text,
+    credits        int,
+    created_at     timestamptz not null default now(),
+    granted_at     timestamptz
+);
+
+create index if not exists ad_rewards_identity_id_idx on ad_rewards (identity_id, created_at desc);
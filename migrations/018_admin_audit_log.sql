@@ -0,0 +1,15 @@
+-- Every /admin action, reads included (sbAuditAdmin). /admin/audit pages it
+-- by id, newest first, optionally for one identity or one admin.
+create table if not exists admin_audit_log (
+    id          bigint generated always as identity primary key,
+    admin       text not null,
+    action      text not null,
+    identity_id text,
+    target      text,
+    details     jsonb,
+    ip          text,
+    created_at  timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_identity_id_idx on admin_audit_log (identity_id, id desc);
+create index if not exists admin_audit_log_admin_idx on admin_audit_log (admin, id desc);
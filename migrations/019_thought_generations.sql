@@ -0,0 +1,24 @@
+-- Every /thought generation (sbRecordThought), keyed by its request id. The
+-- latest paid one per photo carries one free regenerate: regenerated_by is
+-- set to the request that claimed it. chosen_* record the variant the user
+-- kept; feedback and share cards read the variants back.
+create table if not exists thought_generations (
+    id             text primary key,
+    identity_id    text not null,
+    image_hash     text,
+    label          text,
+    tone           text,
+    locale         text,
+    variants       jsonb not null default '[]',
+    tags           jsonb not null default '[]',
+    model          text,
+    free_regen     boolean not null default false,
+    regenerated_by text,
+    chosen_variant text,
+    chosen_angle   text,
+    chosen_at      timestamptz,
+    created_at     timestamptz not null default now()
+);
+
+create index if not exists thought_generations_image_idx
+    on thought_generations (identity_id, image_hash, created_at desc);
@@ -0,0 +1,29 @@
+-- Ratings on generated items (/feedback): one row per identity and item,
+-- replaced when the item is rated again. Each row copies what stats slice on.
+-- review_status is null until an "inappropriate" rating sets it to 'pending';
+-- an admin then marks it 'upheld' or 'dismissed'.
+create table if not exists feedback (
+    id            bigint generated always as identity primary key,
+    identity_id   text not null,
+    item_id       text not null,
+    kind          text not null,
+    variant_id    text,
+    rating        text not null,
+    comment       text,
+    text          text,
+    label         text,
+    tone          text,
+    angle         text,
+    model         text,
+    locale        text,
+    tags          jsonb not null default '[]',
+    review_status text,
+    reviewed_by   text,
+    reviewed_at   timestamptz,
+    created_at    timestamptz not null default now(),
+    updated_at    timestamptz not null default now(),
+    unique (identity_id, item_id)
+);
+
+create index if not exists feedback_review_idx on feedback (review_status, id desc) where review_status is not null;
+create index if not exists feedback_updated_at_idx on feedback (updated_at);
@@ -0,0 +1,163 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { fake, startServer } from "./server.js";
+
+const GUEST = "guest_adwatcher123";
+const DUPLICATE = { status: 409, body: { code: "23505", message: "duplicate key value violates unique constraint" } };
+
+// Stands in for AdMob: an EC key pair whose public half is served as the
+// verifier key list.
+const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+const KEY_ID = "1234";
+
+let keyServer;
+let server;
+
+// The callback AdMob would send, signed over everything before &signature=.
+function ssvQuery(params, key = privateKey) {
+    const unsigned = new URLSearchParams({
+        ad_network: "5450213213286189855",
+        ad_unit: "unit-1",
+        custom_data: "rw-1",
+        reward_amount: "3",
+        reward_item: "credits",
+        timestamp: String(Date.now()),
+        transaction_id: "tx-1",
+        user_id: GUEST,
+        ...params,
+    }).toString();
+    const signature = crypto.sign("sha256", Buffer.from(unsigned), key).toString("base64url");
+    return `${unsigned}&signature=${signature}&key_id=${KEY_ID}`;
+}
+
+function ssv(params, key) {
+    return server.get(`/ads/ssv?${ssvQuery(params, key)}`);
+}
+
+function rewardStatuses() {
+    return fake.callsTo("PATCH", "ad_rewards").map((c) => c.body.status);
+}
+
+function adsSoFar(count) {
+    fake.on("GET", "device_usage", () => [{ device_id: GUEST, ad_credits_today: count, ad_credits_date: new Date().toISOString().slice(0, 10) }]);
+}
+
+before(async () => {
+    const keys = JSON.stringify({ keys: [{ keyId: Number(KEY_ID), pem: publicKey.export({ type: "spki", format: "pem" }) }] });
+    keyServer = http.createServer((req, res) => res.end(keys));
+    await new Promise((resolve) => keyServer.listen(0, "127.0.0.1", resolve));
+
+    server = await startServer({
+        AD_SSV_KEYS_URL: `http://127.0.0.1:${keyServer.address().port}/verifier-keys.json`,
+        AD_MAX_PER_DAY: "5",
+    });
+});
+
+after(async () => {
+    await server.close();
+    keyServer.close();
+});
+
+beforeEach(() => {
+    fake.reset();
+    adsSoFar(0);
+    fake.on("POST", "rpc/grant_pro_credits", () => [{ tokens: 6, tokens_used: 0, remaining_pro: 6 }]);
+    fake.on("PATCH", "ad_rewards", () => [{ transaction_id: "tx-1" }]);
+});
+
+test("a signed callback grants the watch's credits once and counts it", async () => {
+    const res = await ssv();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true });
+
+    const claim = fake.callsTo("POST", "ad_rewards")[0].body;
+    assert.deepEqual(
+        [claim.transaction_id, claim.identity_id, claim.reward_id, claim.reward_amount, claim.status],
+        ["tx-1", GUEST, "rw-1", 3, "verified"]
+    );
+
+    const grant = fake.callsTo("POST", "rpc/grant_pro_credits");
+    assert.equal(grant.length, 1);
+    assert.deepEqual([grant[0].body.p_device_id, grant[0].body.p_amount], [GUEST, 3]);
+    assert.deepEqual(rewardStatuses(), ["granted"]);
+
+    const entry = fake.callsTo("POST", "credit_ledger")[0].body;
+    assert.deepEqual([entry.kind, entry.source, entry.request_id], ["grant", "ad_reward", "tx-1"]);
+
+    const counted = fake.callsTo("PATCH", "device_usage").at(-1).body;
+    assert.equal(counted.ad_credits_today, 1);
+});
+
+test("a callback signed with any other key is refused", async () => {
+    const { privateKey: forged } = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+
+    const res = await ssv({}, forged);
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, "INVALID_SIGNATURE");
+    assert.equal(fake.calls.length, 0);
+});
+
+test("a tampered callback no longer matches its signature", async () => {
+    const query = ssvQuery().replace("reward_amount=3", "reward_amount=30");
+
+    const res = await server.get(`/ads/ssv?${query}`);
+
+    assert.equal(res.status, 403);
+    assert.equal(fake.callsTo("POST", "rpc/grant_pro_credits").length, 0);
+});
+
+test("a redelivered transaction that was already handled grants nothing", async () => {
+    fake.on("POST", "ad_rewards", () => DUPLICATE);
+    fake.on("PATCH", "ad_rewards", () => []);
+
+    const res = await ssv();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true, duplicate: true });
+    assert.equal(fake.callsTo("POST", "rpc/grant_pro_credits").length, 0);
+});
+
+test("a failed grant answers 500 and the network's retry re-claims it", async () => {
+    fake.on("POST", "rpc/grant_pro_credits", () => ({ status: 500, body: { code: "XX000", message: "grant failed" } }));
+
+    const failed = await ssv();
+
+    assert.equal(failed.status, 500);
+    assert.deepEqual(rewardStatuses(), ["failed"]);
+
+    fake.reset();
+    adsSoFar(0);
+    fake.on("POST", "ad_rewards", () => DUPLICATE);
+    fake.on("PATCH", "ad_rewards", () => [{ transaction_id: "tx-1" }]);
+    fake.on("POST", "rpc/grant_pro_credits", () => [{ tokens: 6, tokens_used: 0, remaining_pro: 6 }]);
+
+    const retried = await ssv();
+
+    assert.equal(retried.status, 200);
+    assert.deepEqual(retried.body, { ok: true });
+    assert.equal(fake.callsTo("POST", "rpc/grant_pro_credits").length, 1);
+    assert.deepEqual(rewardStatuses(), ["verified", "granted"]);
+    assert.equal(fake.callsTo("PATCH", "ad_rewards")[0].query.get("status"), "eq.failed");
+});
+
+test("a watch over the daily cap is recorded as capped without credits", async () => {
+    adsSoFar(5);
+
+    const res = await ssv();
+
+    assert.deepEqual(res.body, { ok: true, capped: true });
+    assert.equal(fake.callsTo("POST", "rpc/grant_pro_credits").length, 0);
+    assert.deepEqual(rewardStatuses(), ["capped"]);
+});
+
+test("a reward amount other than the configured one is rejected", async () => {
+    const res = await ssv({ reward_amount: "10" });
+
+    assert.equal(res.body.error, "REWARD_MISMATCH");
+    assert.equal(fake.callsTo("POST", "rpc/grant_pro_credits").length, 0);
+    assert.equal(fake.callsTo("PATCH", "ad_rewards")[0].body.reason, "REWARD_AMOUNT");
+});
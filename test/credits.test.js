@@ -0,0 +1,101 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fake, guestToken, startServer } from "./server.js";
+
+const GUEST = "guest_spender12345";
+
+let server;
+
+function trainingTip() {
+    return server.post("/pet/training", { identityId: GUEST, petType: "dog", age: "2 years" }, { "x-guest-token": guestToken(GUEST) });
+}
+
+function reservationUpdates(status) {
+    return fake.callsTo("PATCH", "credit_reservations").filter((c) => c.body.status === status);
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    fake.reset();
+    fake.on("POST", "rpc/spend_pro_credits", () => [{ ok: true, tokens: 5, tokens_used: 2, remaining_pro: 3 }]);
+    fake.on("POST", "rpc/refund_pro_credits", () => [{ tokens: 5, tokens_used: 1, remaining_pro: 4 }]);
+    fake.on("POST", "credit_reservations", () => [{ id: 41 }]);
+    fake.on("PATCH", "credit_reservations", () => [{ id: 41 }]);
+});
+
+test("a generation reserves one credit and commits it on success", async () => {
+    const res = await trainingTip();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.creditsRemaining, 3);
+
+    const spend = fake.callsTo("POST", "rpc/spend_pro_credits");
+    assert.equal(spend.length, 1);
+    assert.deepEqual(spend[0].body, { p_device_id: GUEST, p_cost: 1, p_default_seed: 0 });
+
+    const reserved = fake.callsTo("POST", "credit_reservations")[0].body;
+    assert.equal(reserved.identity_id, GUEST);
+    assert.equal(reserved.status, "reserved");
+    assert.ok(Date.parse(reserved.expires_at) > Date.now());
+
+    const committed = reservationUpdates("committed");
+    assert.equal(committed.length, 1);
+    assert.equal(committed[0].query.get("id"), "eq.41");
+    assert.equal(committed[0].query.get("status"), "eq.reserved");
+    assert.equal(fake.callsTo("POST", "rpc/refund_pro_credits").length, 0);
+});
+
+test("an empty balance answers NO_CREDITS without a reservation", async () => {
+    fake.on("POST", "rpc/spend_pro_credits", () => [{ ok: false, tokens: 5, tokens_used: 5, remaining_pro: 0 }]);
+
+    const res = await trainingTip();
+
+    assert.equal(res.status, 402);
+    assert.equal(res.body.error, "NO_CREDITS");
+    assert.equal(fake.callsTo("POST", "credit_reservations").length, 0);
+});
+
+test("a failed generation releases the reservation and refunds the credit", async (t) => {
+    process.env.LLM_TRAINING_PROVIDER = "missing";
+    t.after(() => delete process.env.LLM_TRAINING_PROVIDER);
+
+    const res = await trainingTip();
+
+    assert.equal(res.status, 500);
+    const released = reservationUpdates("released");
+    assert.equal(released.length, 1);
+    assert.equal(released[0].query.get("status"), "eq.reserved");
+    assert.match(released[0].body.reason, /Unknown LLM provider/);
+
+    const refund = fake.callsTo("POST", "rpc/refund_pro_credits");
+    assert.equal(refund.length, 1);
+    assert.deepEqual(refund[0].body, { p_device_id: GUEST, p_amount: 1, p_default_seed: 0 });
+});
+
+test("a reservation the sweeper already released fails the request and isn't refunded twice", async () => {
+    // Both conditional updates find the row no longer "reserved".
+    fake.on("PATCH", "credit_reservations", () => []);
+
+    const res = await trainingTip();
+
+    assert.equal(res.status, 500);
+    assert.equal(reservationUpdates("committed").length, 1);
+    assert.equal(reservationUpdates("released").length, 1);
+    assert.equal(fake.callsTo("POST", "rpc/refund_pro_credits").length, 0);
+});
+
+test("a reservation that can't be recorded gives the credit straight back", async () => {
+    fake.on("POST", "credit_reservations", () => ({ status: 500, body: { code: "XX000", message: "insert failed" } }));
+
+    const res = await trainingTip();
+
+    assert.equal(res.status, 500);
+    const refund = fake.callsTo("POST", "rpc/refund_pro_credits");
+    assert.equal(refund.length, 1);
+    assert.equal(refund[0].body.p_amount, 1);
+});
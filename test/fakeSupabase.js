@@ -0,0 +1,85 @@
+// Stand-in for the Supabase REST and auth APIs at SUPABASE_URL, installed on
+// globalThis.fetch before index.js creates its client. Tests register
+// handlers per method + table (or rpc/<name>) and read back every request.
+
+export const SUPABASE_URL = "http://sb.test";
+
+const realFetch = globalThis.fetch;
+
+// Every request to the fake: { method, table, query, body }.
+export const calls = [];
+// Bearer token -> Supabase user, for getSupabaseUserFromBearer.
+export const users = new Map();
+
+let handlers = [];
+
+// `handler(call)` returns rows, or { status, body } for anything else
+// (errors are { status: 409, body: { code: "23505" } }). The newest handler
+// for a method + table wins.
+export function on(method, table, handler) {
+    handlers.unshift({ method, table, handler });
+}
+
+export function reset() {
+    handlers = [];
+    calls.length = 0;
+    users.clear();
+}
+
+export function callsTo(method, table) {
+    return calls.filter((c) => c.method === method && c.table === table);
+}
+
+function json(status, body) {
+    return new Response(body === undefined ? "" : JSON.stringify(body), {
+        status,
+        headers: { "content-type": "application/json" },
+    });
+}
+
+function defaultResult({ table }) {
+    return table.startsWith("rpc/") ? null : [];
+}
+
+async function fakeFetch(input, init = {}) {
+    const url = new URL(String(input instanceof Request ? input.url : input));
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+
+    if (url.pathname === "/auth/v1/user") {
+        const token = (headers.get("authorization") || "").replace(/^Bearer\s+/i, "");
+        const user = users.get(token);
+        return user ? json(200, user) : json(401, { code: 401, msg: "invalid JWT" });
+    }
+
+    const table = url.pathname.replace(/^\/rest\/v1\//, "");
+    const method = (init.method || "GET").toUpperCase();
+    const call = {
+        method,
+        table,
+        query: url.searchParams,
+        body: init.body ? JSON.parse(init.body) : null,
+    };
+    calls.push(call);
+
+    const found = handlers.find((h) => h.method === method && h.table === table);
+    let result = found ? await found.handler(call) : defaultResult(call);
+    if (result === null || typeof result !== "object" || Array.isArray(result) || !("status" in result)) {
+        result = { status: 200, body: result };
+    }
+    if (result.status >= 400) return json(result.status, result.body);
+
+    // .single()/.maybeSingle() on writes ask PostgREST for one object.
+    let body = result.body;
+    if ((headers.get("accept") || "").includes("vnd.pgrst.object") && Array.isArray(body)) {
+        if (!body.length) return json(406, { code: "PGRST116", message: "0 rows" });
+        body = body[0];
+    }
+    return json(result.status, body);
+}
+
+export function install() {
+    globalThis.fetch = (input, init) => {
+        const url = String(input instanceof Request ? input.url : input);
+        return url.startsWith(SUPABASE_URL) ? fakeFetch(input, init) : realFetch(input, init);
+    };
+}
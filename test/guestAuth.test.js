@@ -0,0 +1,138 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { fake, startServer } from "./server.js";
+
+const HARDWARE = "hw-1234abcd";
+const GUEST = `guest_${HARDWARE}`;
+const SECRET = "s".repeat(40);
+const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+
+let server;
+
+function signedToken(payload) {
+    const body = Buffer.from(JSON.stringify({ v: 2, iat: Date.now(), ...payload })).toString("base64url");
+    const sig = crypto.createHmac("sha256", process.env.GUEST_TOKEN_SECRET).update(body).digest("base64url");
+    return `${body}.${sig}`;
+}
+
+// The guest's device_usage row as /auth/guest reads it.
+function usageRow(row) {
+    fake.on("GET", "device_usage", (call) => (call.query.get("device_id") === `eq.${GUEST}` ? [row] : []));
+}
+
+before(async () => {
+    // Legacy ids off: guest ids need a token and old rows can be claimed by proof.
+    server = await startServer({ GUEST_LEGACY_IDS: "false" });
+});
+
+after(() => server.close());
+
+beforeEach(() => fake.reset());
+
+test("a new device gets a guest id and a token that authenticates it", async () => {
+    const res = await server.post("/auth/guest", { hardwareId: HARDWARE, deviceSecret: SECRET });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.guestId, GUEST);
+    assert.equal(res.body.created, true);
+    assert.ok(res.body.expiresAt > Date.now());
+
+    const insert = fake.callsTo("POST", "device_usage")[0].body;
+    assert.equal(insert.guest_secret_hash, sha256(SECRET));
+    assert.ok(!JSON.stringify(insert).includes(SECRET));
+
+    const status = await server.post("/ads/status", { identityId: GUEST }, { "x-guest-token": res.body.guestToken });
+    assert.equal(status.status, 200);
+    assert.equal(status.body.ok, true);
+});
+
+test("a refresh needs the device secret the guest registered", async () => {
+    usageRow({ device_id: GUEST, guest_secret_hash: sha256(SECRET) });
+
+    const ok = await server.post("/auth/guest", { hardwareId: HARDWARE, deviceSecret: SECRET });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.created, false);
+
+    const wrong = await server.post("/auth/guest", { hardwareId: HARDWARE, deviceSecret: "x".repeat(40) });
+    assert.equal(wrong.status, 403);
+    assert.equal(wrong.body.error, "INVALID_DEVICE_SECRET");
+
+    const short = await server.post("/auth/guest", { hardwareId: HARDWARE, deviceSecret: "short" });
+    assert.equal(short.status, 400);
+    assert.equal(short.body.error, "INVALID_DEVICE_SECRET");
+    assert.equal(fake.callsTo("POST", "device_usage").length, 0);
+});
+
+test("a guest row from before device secrets needs the legacy proof", async () => {
+    usageRow({ device_id: GUEST, guest_secret_hash: null });
+    fake.on("GET", "user_sync", () => [{ pets: [{ id: "a" }, { id: "b" }], revision: 7 }]);
+    fake.on("PATCH", "device_usage", () => [{ device_id: GUEST }]);
+
+    const missing = await server.post("/auth/guest", { identityId: GUEST, deviceSecret: SECRET });
+    assert.equal(missing.status, 403);
+    assert.equal(missing.body.error, "LEGACY_PROOF_REQUIRED");
+
+    const wrong = await server.post("/auth/guest", {
+        identityId: GUEST,
+        deviceSecret: SECRET,
+        legacyProof: { revision: 7, petIds: ["a"] },
+    });
+    assert.equal(wrong.status, 403);
+    assert.equal(wrong.body.error, "LEGACY_PROOF_REQUIRED");
+    assert.equal(fake.callsTo("PATCH", "device_usage").length, 0);
+
+    const proven = await server.post("/auth/guest", {
+        identityId: GUEST,
+        deviceSecret: SECRET,
+        legacyProof: { revision: 7, petIds: ["b", "a"] },
+    });
+    assert.equal(proven.status, 200);
+    const claim = fake.callsTo("PATCH", "device_usage")[0];
+    assert.equal(claim.body.guest_secret_hash, sha256(SECRET));
+    assert.equal(claim.query.get("guest_secret_hash"), "is.null");
+});
+
+test("an expired or forged guest token is refused", async () => {
+    const expired = signedToken({ sub: GUEST, exp: Date.now() - 1000 });
+    const res = await server.post("/ads/status", { identityId: GUEST }, { "x-guest-token": expired });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "INVALID_GUEST_TOKEN");
+
+    const [body] = signedToken({ sub: GUEST, exp: Date.now() + 60 * 1000 }).split(".");
+    const forged = await server.post("/ads/status", { identityId: GUEST }, { "x-guest-token": `${body}.AAAA` });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.error, "INVALID_GUEST_TOKEN");
+});
+
+test("a guest id needs its own token", async () => {
+    const none = await server.post("/ads/status", { identityId: GUEST });
+    assert.equal(none.status, 401);
+    assert.equal(none.body.error, "GUEST_TOKEN_REQUIRED");
+
+    const other = signedToken({ sub: "guest_otherdevice1", exp: Date.now() + 60 * 1000 });
+    const mismatch = await server.post("/ads/status", { identityId: GUEST }, { "x-guest-token": other });
+    assert.equal(mismatch.status, 401);
+    assert.equal(mismatch.body.error, "GUEST_TOKEN_MISMATCH");
+});
+
+test("identity ids of the wrong shape are rejected", async () => {
+    const res = await server.post("/ads/status", { identityId: "device-123" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "INVALID_IDENTITY_ID");
+});
+
+test("a user: id needs a bearer for that same user", async () => {
+    fake.users.set("alice-token", { id: "alice" });
+
+    const none = await server.post("/ads/status", { identityId: "user:alice" });
+    assert.equal(none.status, 401);
+    assert.equal(none.body.error, "UNAUTHENTICATED");
+
+    const other = await server.post("/ads/status", { identityId: "user:bob" }, { authorization: "Bearer alice-token" });
+    assert.equal(other.status, 403);
+    assert.equal(other.body.error, "USER_MISMATCH");
+
+    const own = await server.post("/ads/status", { identityId: "user:alice" }, { authorization: "Bearer alice-token" });
+    assert.equal(own.status, 200);
+});
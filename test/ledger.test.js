@@ -0,0 +1,106 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fake, guestToken, startServer } from "./server.js";
+
+const GUEST = "guest_ledgered1234";
+
+let server;
+
+function asGuest(path, body = {}) {
+    return server.post(path, { identityId: GUEST, ...body }, { "x-guest-token": guestToken(GUEST) });
+}
+
+function ledger() {
+    return fake.callsTo("POST", "credit_ledger").map((c) => c.body);
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    fake.reset();
+    // The guest's row already exists — /auth/guest created it with its token.
+    fake.on("GET", "device_usage", (call) => (call.query.get("device_id") === `eq.${GUEST}` ? [{ device_id: GUEST }] : []));
+    fake.on("POST", "rpc/spend_pro_credits", () => [{ ok: true, tokens: 5, tokens_used: 2, remaining_pro: 3 }]);
+    fake.on("POST", "rpc/refund_pro_credits", () => [{ tokens: 5, tokens_used: 1, remaining_pro: 4 }]);
+    fake.on("POST", "credit_reservations", () => [{ id: 7 }]);
+    fake.on("PATCH", "credit_reservations", () => [{ id: 7 }]);
+});
+
+test("a spend is recorded with its signed amount and the balance after it", async () => {
+    const res = await asGuest("/pet/training", { petType: "cat" });
+
+    assert.equal(res.status, 200);
+    const [spend] = ledger();
+    assert.equal(ledger().length, 1);
+    assert.equal(spend.identity_id, GUEST);
+    assert.equal(spend.kind, "spend");
+    assert.equal(spend.amount, -1);
+    assert.equal(spend.source, "reservation");
+    assert.equal(spend.route, "pet_training");
+    assert.deepEqual([spend.balance_after, spend.tokens_after, spend.used_after], [3, 5, 2]);
+});
+
+test("a refund is recorded against the spend it gives back", async (t) => {
+    process.env.LLM_TRAINING_PROVIDER = "missing";
+    t.after(() => delete process.env.LLM_TRAINING_PROVIDER);
+
+    await asGuest("/pet/training", { petType: "cat" });
+
+    assert.deepEqual(ledger().map((e) => [e.kind, e.amount]), [["spend", -1], ["refund", 1]]);
+    assert.equal(ledger()[1].balance_after, 4);
+    assert.match(ledger()[1].reason, /Unknown LLM provider/);
+});
+
+test("a new identity's row is created before the credit RPC, so no seed skips the ledger", async () => {
+    const userId = "user:ledger-user";
+    fake.users.set("ledger-token", { id: "ledger-user" });
+
+    await server.post("/pet/training", { identityId: userId, petType: "cat" }, { authorization: "Bearer ledger-token" });
+
+    const order = fake.calls.map((c) => `${c.method} ${c.table}`);
+    const created = order.indexOf("POST device_usage");
+    assert.ok(created >= 0);
+    assert.ok(created < order.indexOf("POST rpc/spend_pro_credits"));
+    assert.equal(fake.callsTo("POST", "rpc/spend_pro_credits")[0].body.p_default_seed, 0);
+});
+
+test("a guest's starting credits are recorded as a seed", async () => {
+    const res = await server.post("/auth/guest", { hardwareId: "seeded-hw-01", deviceSecret: "d".repeat(40) });
+
+    assert.equal(res.status, 200);
+    const [seed] = ledger();
+    assert.equal(seed.identity_id, "guest_seeded-hw-01");
+    assert.equal(seed.kind, "seed");
+    assert.equal(seed.amount, 3);
+    assert.equal(seed.source, "guest_signup");
+    assert.equal(seed.balance_after, 3);
+});
+
+test("history pages by id, newest first", async () => {
+    const rows = [9, 8, 7].map((id) => ({ id, kind: "spend", amount: -1, request_id: `srv_${id}`, created_at: "2026-01-01T00:00:00Z" }));
+    fake.on("GET", "credit_ledger", () => rows);
+
+    const res = await asGuest("/credits/history", { limit: 2, before: 10 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.entries.map((e) => e.id), [9, 8]);
+    assert.equal(res.body.entries[0].requestId, "srv_9");
+    assert.equal(res.body.nextBefore, 8);
+
+    const query = fake.callsTo("GET", "credit_ledger")[0].query;
+    assert.equal(query.get("identity_id"), `eq.${GUEST}`);
+    assert.equal(query.get("id"), "lt.10");
+    assert.equal(query.get("order"), "id.desc");
+    assert.equal(query.get("limit"), "3");
+});
+
+test("an account's history needs that account's bearer", async () => {
+    const res = await server.post("/credits/history", { identityId: "user:someone" });
+
+    assert.equal(res.status, 401);
+    assert.equal(fake.callsTo("GET", "credit_ledger").length, 0);
+});
@@ -0,0 +1,115 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { fake, startServer } from "./server.js";
+
+// A guest id from before /auth/guest: its device_usage row has no secret.
+const GUEST = "guest_legacy-device-01";
+const USER = "user:5d1c0e2a-3b4f-4a6e-8c7d-9e0f1a2b3c4d";
+const BEARER = "legacy-user-token";
+const SECRET = "l".repeat(40);
+const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+
+let server;
+
+function transfer(token) {
+    return server.post(
+        "/auth/transfer-credits",
+        { guestId: GUEST },
+        { authorization: `Bearer ${BEARER}`, "x-guest-token": token }
+    );
+}
+
+before(async () => {
+    // The default: the legacy window is open.
+    server = await startServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    fake.reset();
+    fake.users.set(BEARER, { id: USER.slice(5) });
+    fake.on("GET", "device_usage", (call) => (call.query.get("device_id") === `eq.${GUEST}` ? [{ device_id: GUEST, guest_secret_hash: null }] : []));
+    fake.on("PATCH", "device_usage", () => [{ device_id: GUEST }]);
+    fake.on("POST", "guest_transfers", (call) => [{ ...call.body }]);
+    fake.on("PATCH", "guest_transfers", () => [{ guest_id: GUEST }]);
+    fake.on("POST", "rpc/transfer_guest_credits", () => 2);
+});
+
+test("while the window is open an existing guest claims its row without proof and can link it", async () => {
+    const auth = await server.post("/auth/guest", { identityId: GUEST, deviceSecret: SECRET });
+
+    assert.equal(auth.status, 200);
+    assert.equal(auth.body.guestId, GUEST);
+    assert.equal(auth.body.created, false);
+    const claim = fake.callsTo("PATCH", "device_usage")[0];
+    assert.equal(claim.body.guest_secret_hash, sha256(SECRET));
+    assert.equal(claim.query.get("guest_secret_hash"), "is.null");
+    assert.equal(fake.callsTo("GET", "user_sync").length, 0);
+
+    const res = await transfer(auth.body.guestToken);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.transferred, 2);
+    assert.equal(fake.callsTo("POST", "guest_transfers")[0].body.user_id, USER);
+});
+
+test("a guest row someone else claimed first is not handed out again", async () => {
+    fake.on("PATCH", "device_usage", () => []);
+
+    const res = await server.post("/auth/guest", { identityId: GUEST, deviceSecret: SECRET });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "GUEST_ALREADY_CLAIMED");
+});
+
+test("a transfer left pending by a request that died is resumed after the stale timeout", async () => {
+    const auth = await server.post("/auth/guest", { identityId: GUEST, deviceSecret: SECRET });
+    fake.on("POST", "guest_transfers", () => ({ status: 409, body: { code: "23505", message: "duplicate key" } }));
+    fake.on("PATCH", "guest_transfers", (call) =>
+        call.query.has("or") ? [{ guest_id: GUEST, user_id: USER, status: "pending", credits: 2 }] : [{ guest_id: GUEST }]
+    );
+
+    const startedAt = Date.now();
+    const res = await transfer(auth.body.guestToken);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.transferred, 2);
+    assert.equal(fake.callsTo("POST", "rpc/transfer_guest_credits").length, 0);
+
+    const resume = fake.callsTo("PATCH", "guest_transfers")[0];
+    assert.equal(resume.query.get("user_id"), `eq.${USER}`);
+    const [, cutoff] = resume.query.get("or").match(/claimed_at\.lt\."([^"]+)"/);
+    assert.ok(Math.abs(Date.parse(cutoff) - (startedAt - 10 * 60 * 1000)) < 5000);
+    assert.match(resume.query.get("or"), /^\(status\.eq\.failed,and\(status\.eq\.pending,/);
+    assert.ok(Date.parse(resume.body.claimed_at) >= startedAt);
+});
+
+test("a raw legacy id seen for the first time gets the guest starting credits", async () => {
+    fake.on("GET", "device_usage", () => []);
+    const guest = "guest_fresh-legacy-01";
+
+    const res = await server.post("/status", { identityId: guest });
+
+    assert.equal(res.status, 200);
+    const insert = fake.callsTo("POST", "device_usage")[0].body;
+    assert.equal(insert.device_id, guest);
+    assert.equal(insert.hardware_id, "fresh-legacy-01");
+    assert.equal(insert.tokens, 3);
+
+    const [seed] = fake.callsTo("POST", "credit_ledger").map((c) => c.body);
+    assert.equal(seed.kind, "seed");
+    assert.equal(seed.amount, 3);
+    assert.equal(seed.source, "legacy_guest");
+});
+
+test("a raw legacy id on hardware that already had its credits starts empty", async () => {
+    fake.on("GET", "device_usage", (call) => (call.query.has("hardware_id") ? [{ device_id: "guest_fresh-legacy-01" }] : []));
+
+    const res = await server.post("/status", { identityId: "guest_fresh-legacy-01" });
+
+    assert.equal(res.status, 200);
+    assert.equal(fake.callsTo("POST", "device_usage")[0].body.tokens, 0);
+    assert.equal(fake.callsTo("POST", "credit_ledger").length, 0);
+});
@@ -0,0 +1,54 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fake, guestToken, startServer } from "./server.js";
+
+const GUEST = "guest_limited12345";
+
+let server;
+
+function history() {
+    return server.post("/credits/history", { identityId: GUEST }, { "x-guest-token": guestToken(GUEST) });
+}
+
+before(async () => {
+    server = await startServer({ RATE_LIMIT_ENABLED: "true", RATE_LIMIT_STORE: "supabase" });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    fake.reset();
+    fake.on("POST", "rpc/rate_limit_hit", () => [{ count: 1, reset_at: new Date(Date.now() + 60 * 1000).toISOString() }]);
+});
+
+test("every dimension of a request is counted in the shared store", async () => {
+    const res = await history();
+
+    assert.equal(res.status, 200);
+    const keys = fake.callsTo("POST", "rpc/rate_limit_hit").map((c) => c.body.p_key);
+    assert.deepEqual(keys.map((k) => k.split("|")[1]), ["ip", "identity", "hardware"]);
+    assert.ok(keys.includes(`default|identity|${GUEST}`));
+    assert.equal(fake.callsTo("POST", "rpc/rate_limit_hit")[0].body.p_window_ms, 60 * 1000);
+});
+
+test("a count over the route's budget answers 429 with Retry-After", async () => {
+    fake.on("POST", "rpc/rate_limit_hit", (call) => [{
+        count: call.body.p_key.includes("|identity|") ? 61 : 1,
+        reset_at: new Date(Date.now() + 30 * 1000).toISOString(),
+    }]);
+
+    const res = await history();
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error, "RATE_LIMITED");
+    assert.equal(res.body.scope, "identity");
+    assert.ok(res.body.retryAfter > 0 && res.body.retryAfter <= 30);
+});
+
+test("a failing store lets the request through", async () => {
+    fake.on("POST", "rpc/rate_limit_hit", () => ({ status: 404, body: { code: "PGRST202", message: "function not found" } }));
+
+    const res = await history();
+
+    assert.equal(res.status, 200);
+});
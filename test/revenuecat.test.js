@@ -0,0 +1,145 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fake, guestToken, startServer } from "./server.js";
+
+const AUTH = "rc-webhook-secret";
+const DUPLICATE = { status: 409, body: { code: "23505", message: "duplicate key value violates unique constraint" } };
+
+let server;
+
+function webhook(event, auth = `Bearer ${AUTH}`) {
+    return server.post("/revenuecat/webhook", { event }, { authorization: auth });
+}
+
+function eventStatuses(eventId) {
+    return fake.callsTo("PATCH", "revenuecat_events")
+        .filter((c) => c.query.get("event_id") === `eq.${eventId}`)
+        .map((c) => c.body.status);
+}
+
+before(async () => {
+    server = await startServer({ RC_WEBHOOK_AUTH: AUTH, REVENUECAT_SECRET_KEY: "rc-secret" });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    fake.reset();
+    fake.on("POST", "rpc/grant_pro_credits", (call) => [{ tokens: 10 + call.body.p_amount, tokens_used: 0, remaining_pro: 10 + call.body.p_amount }]);
+    fake.on("POST", "rpc/spend_pro_credits", () => [{ ok: true, tokens: 20, tokens_used: 10, remaining_pro: 10 }]);
+    fake.on("PATCH", "subscriptions", () => [{ identity_id: "x" }]);
+});
+
+test("a webhook without the shared secret is refused", async () => {
+    const res = await webhook({ id: "ev-0", type: "NON_RENEWING_PURCHASE", app_user_id: "user:a", product_id: "10_smart_thoughts" }, "Bearer wrong");
+
+    assert.equal(res.status, 401);
+    assert.equal(fake.calls.length, 0);
+});
+
+test("a credit pack purchase grants its credits once and marks the event processed", async () => {
+    const event = { id: "ev-1", type: "NON_RENEWING_PURCHASE", app_user_id: "user:buyer", product_id: "25_smart_thoughts" };
+
+    const res = await webhook(event);
+
+    assert.equal(res.status, 200);
+    const grant = fake.callsTo("POST", "rpc/grant_pro_credits");
+    assert.equal(grant.length, 1);
+    assert.equal(grant[0].body.p_device_id, "user:buyer");
+    assert.equal(grant[0].body.p_amount, 25);
+    assert.equal(fake.callsTo("POST", "revenuecat_events")[0].body.status, "processing");
+    assert.deepEqual(eventStatuses("ev-1"), ["processed"]);
+
+    const entry = fake.callsTo("POST", "credit_ledger").map((c) => c.body).find((e) => e.kind === "grant");
+    assert.equal(entry.source, "revenuecat");
+    assert.equal(entry.request_id, "ev-1");
+});
+
+test("a redelivered event that was already processed grants nothing", async () => {
+    fake.on("POST", "revenuecat_events", () => DUPLICATE);
+    fake.on("PATCH", "revenuecat_events", () => []);
+
+    const res = await webhook({ id: "ev-1", type: "NON_RENEWING_PURCHASE", app_user_id: "user:buyer", product_id: "25_smart_thoughts" });
+
+    assert.deepEqual(res.body, { ok: true, deduped: true });
+    assert.equal(fake.callsTo("POST", "rpc/grant_pro_credits").length, 0);
+});
+
+test("a failed grant answers 500 and the retry re-claims the failed event", async () => {
+    const event = { id: "ev-2", type: "NON_RENEWING_PURCHASE", app_user_id: "user:buyer", product_id: "10_smart_thoughts" };
+    fake.on("POST", "rpc/grant_pro_credits", () => ({ status: 500, body: { code: "XX000", message: "grant failed" } }));
+
+    const failed = await webhook(event);
+
+    assert.equal(failed.status, 500);
+    assert.deepEqual(eventStatuses("ev-2"), ["failed"]);
+
+    fake.reset();
+    fake.on("POST", "revenuecat_events", () => DUPLICATE);
+    fake.on("PATCH", "revenuecat_events", (call) => (call.query.get("status") === "eq.failed" ? [{ event_id: "ev-2" }] : []));
+    fake.on("POST", "rpc/grant_pro_credits", () => [{ tokens: 10, tokens_used: 0, remaining_pro: 10 }]);
+
+    const retried = await webhook(event);
+
+    assert.equal(retried.status, 200);
+    assert.equal(fake.callsTo("POST", "rpc/grant_pro_credits").length, 1);
+    assert.deepEqual(eventStatuses("ev-2"), ["processing", "processed"]);
+});
+
+test("a refund claws back no more than the credits still unspent", async () => {
+    fake.on("GET", "device_usage", () => [{ device_id: "user:buyer", tokens: 20, tokens_used: 15 }]);
+
+    const res = await webhook({ id: "ev-3", type: "REFUND", app_user_id: "user:buyer", product_id: "10_smart_thoughts" });
+
+    assert.equal(res.body.clawedBack, 5);
+    assert.equal(fake.callsTo("POST", "rpc/spend_pro_credits")[0].body.p_cost, 5);
+});
+
+test("a subscription event only updates the row if it's newer than the last one", async () => {
+    const at = Date.parse("2026-03-01T12:00:00Z");
+    const res = await webhook({
+        id: "ev-4",
+        type: "RENEWAL",
+        app_user_id: "user:subscriber",
+        product_id: "pro_monthly",
+        entitlement_ids: ["pro_access"],
+        event_timestamp_ms: at,
+        expiration_at_ms: at + 30 * 24 * 60 * 60 * 1000,
+    });
+
+    assert.equal(res.body.subscription.status, "active");
+    const update = fake.callsTo("PATCH", "subscriptions")[0];
+    assert.equal(update.body.is_active, true);
+    assert.equal(update.body.last_event_at, new Date(at).toISOString());
+    assert.equal(update.query.get("or"), `(last_event_at.is.null,last_event_at.lte."${new Date(at).toISOString()}")`);
+});
+
+test("an out-of-order subscription event is dropped", async () => {
+    // Older than the stored row: the conditional update matches nothing and
+    // the insert finds the row already there.
+    fake.on("PATCH", "subscriptions", () => []);
+    fake.on("POST", "subscriptions", () => DUPLICATE);
+
+    const res = await webhook({
+        id: "ev-5",
+        type: "EXPIRATION",
+        app_user_id: "user:subscriber",
+        entitlement_ids: ["pro_access"],
+        event_timestamp_ms: Date.parse("2026-01-01T00:00:00Z"),
+    });
+
+    assert.deepEqual(res.body, { ok: true, stale: true });
+    assert.equal(fake.callsTo("PATCH", "subscriptions").length, 2);
+    assert.deepEqual(eventStatuses("ev-5"), ["processed"]);
+});
+
+test("an active subscription row skips credits without asking RevenueCat", async () => {
+    const guest = "guest_subscriber12";
+    fake.on("GET", "subscriptions", () => [{ identity_id: guest, status: "active", is_active: true, expires_at: "2999-01-01T00:00:00Z" }]);
+
+    const res = await server.post("/pet/training", { identityId: guest, petType: "dog" }, { "x-guest-token": guestToken(guest) });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.creditsRemaining, null);
+    assert.equal(fake.callsTo("POST", "rpc/spend_pro_credits").length, 0);
+});
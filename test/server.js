@@ -0,0 +1,74 @@
+// Boots index.js against the fake Supabase and the stub LLM provider, on a
+// random port. CONFIG is read when index.js is imported, so any extra env a
+// test file needs is passed to startServer. node --test gives each file its
+// own process.
+import crypto from "node:crypto";
+import sharp from "sharp";
+import * as fake from "./fakeSupabase.js";
+
+process.env.SUPABASE_URL = fake.SUPABASE_URL;
+process.env.SUPABASE_SERVICE_ROLE_KEY = "test-service-role";
+process.env.GUEST_TOKEN_SECRET = "test-guest-secret";
+process.env.LLM_PROVIDER = "stub";
+process.env.RATE_LIMIT_ENABLED = "false";
+
+fake.install();
+
+export { fake };
+
+// Signed the way /auth/guest signs them.
+export function guestToken(sub, exp = Date.now() + 60 * 1000) {
+    const body = Buffer.from(JSON.stringify({ v: 2, iat: Date.now(), exp, sub })).toString("base64url");
+    const sig = crypto.createHmac("sha256", process.env.GUEST_TOKEN_SECRET).update(body).digest("base64url");
+    return `${body}.${sig}`;
+}
+
+// A small photo as the routes take it in imageDataUrl.
+export async function imageDataUrl() {
+    const jpeg = await sharp({ create: { width: 64, height: 64, channels: 3, background: "#c08040" } }).jpeg().toBuffer();
+    return `data:image/jpeg;base64,${jpeg.toString("base64")}`;
+}
+
+export async function startServer(env = {}) {
+    Object.assign(process.env, env);
+    const { app } = await import("../index.js");
+    const server = await new Promise((resolve) => {
+        const s = app.listen(0, "127.0.0.1", () => resolve(s));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    async function get(path, headers = {}) {
+        const res = await fetch(`${base}${path}`, { headers });
+        return { status: res.status, body: await res.json() };
+    }
+
+    async function post(path, body = {}, headers = {}) {
+        const res = await fetch(`${base}${path}`, {
+            method: "POST",
+            headers: { "content-type": "application/json", ...headers },
+            body: JSON.stringify(body),
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    // For SSE routes: the status and the parsed { event, data } list.
+    async function stream(path, body = {}, headers = {}) {
+        const res = await fetch(`${base}${path}`, {
+            method: "POST",
+            headers: { "content-type": "application/json", ...headers },
+            body: JSON.stringify(body),
+        });
+        const text = await res.text();
+        if (!res.headers.get("content-type")?.includes("text/event-stream")) {
+            return { status: res.status, events: [], body: JSON.parse(text) };
+        }
+        const events = text.split("\n\n").filter(Boolean).map((chunk) => {
+            const [, event] = chunk.match(/^event: (.*)$/m);
+            const [, data] = chunk.match(/^data: (.*)$/m);
+            return { event, data: JSON.parse(data) };
+        });
+        return { status: res.status, events };
+    }
+
+    return { get, post, stream, close: () => new Promise((resolve) => server.close(resolve)) };
+}
@@ -0,0 +1,78 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fake, guestToken, startServer } from "./server.js";
+
+const GUEST = "guest_syncdevice12";
+
+let server;
+
+function push(body) {
+    return server.post("/sync/push", { identityId: GUEST, ...body }, { "x-guest-token": guestToken(GUEST) });
+}
+
+function syncRow(row) {
+    fake.on("GET", "user_sync", () => [row]);
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    fake.reset();
+    fake.on("PATCH", "user_sync", (call) => [{ revision: call.body.revision }]);
+});
+
+test("a row from before revisions continues from its updated_at", async () => {
+    const updatedAt = "2026-01-01T00:00:00.000Z";
+    syncRow({ pets: [], chats: {}, revision: null, revisions: null, updated_at: updatedAt });
+
+    const res = await push({ chats: { a: [1] } });
+
+    assert.equal(res.status, 200);
+    const expected = Date.parse(updatedAt) + 1;
+    assert.equal(res.body.revision, expected);
+    assert.ok(expected > 2 ** 31, "needs the bigint column");
+
+    const update = fake.callsTo("PATCH", "user_sync")[0];
+    assert.equal(update.query.get("revision"), "is.null");
+    assert.deepEqual(update.body.revisions, { chats: expected });
+});
+
+test("a push based on an old revision conflicts on the sections changed since", async () => {
+    syncRow({ pets: [{ id: "p1" }], chats: { a: [1, 2] }, revision: 5, revisions: { chats: 5, pets: 2 }, updated_at: "2026-01-02" });
+
+    const res = await push({ baseRevision: 3, chats: { a: [1] } });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "SYNC_CONFLICT");
+    assert.deepEqual(res.body.conflicts, ["chats"]);
+    assert.equal(res.body.revision, 5);
+    assert.equal(fake.callsTo("PATCH", "user_sync").length, 0);
+});
+
+test("a push to a section nobody changed since its base is merged", async () => {
+    syncRow({ pets: [{ id: "p1" }], chats: { a: [1, 2] }, revision: 5, revisions: { chats: 5, pets: 2 }, updated_at: "2026-01-02" });
+
+    const res = await push({ baseRevision: 3, pets: [{ id: "p1" }, { id: "p2" }] });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.revision, 6);
+    const update = fake.callsTo("PATCH", "user_sync")[0];
+    assert.equal(update.query.get("revision"), "eq.5");
+    assert.deepEqual(update.body.chats, { a: [1, 2] });
+    assert.deepEqual(update.body.revisions, { chats: 5, pets: 6 });
+});
+
+test("a push that loses the compare-and-swap is told to retry", async () => {
+    syncRow({ pets: [], chats: {}, revision: 5, revisions: {}, updated_at: "2026-01-02" });
+    fake.on("PATCH", "user_sync", () => []);
+
+    const res = await push({ baseRevision: 5, chats: {} });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "SYNC_CONFLICT");
+    assert.equal(res.body.retry, true);
+});
@@ -0,0 +1,125 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fake, guestToken, startServer } from "./server.js";
+
+const GUEST = "guest_abcdef123456";
+const USER = "user:0b6f2e1c-7d2a-4d3e-9a51-1c2b3d4e5f60";
+const BEARER = "user-token";
+
+let server;
+
+function transfer() {
+    return server.post(
+        "/auth/transfer-credits",
+        { guestId: GUEST },
+        { authorization: `Bearer ${BEARER}`, "x-guest-token": guestToken(GUEST) }
+    );
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    fake.reset();
+    fake.users.set(BEARER, { id: USER.slice(5) });
+    fake.on("PATCH", "guest_transfers", () => [{ guest_id: GUEST }]);
+    fake.on("POST", "guest_transfers", (call) => [{ ...call.body }]);
+    fake.on("POST", "rpc/transfer_guest_credits", () => 3);
+});
+
+test("a new transfer moves credits and rows and records each step", async () => {
+    fake.on("GET", "pets", () => [{ id: "p1" }, { id: "p2" }]);
+
+    const res = await transfer();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+        ok: true,
+        transferred: 3,
+        syncMoved: false,
+        moved: { pet_challenge_progress: 0, pets: 2, pet_memories: 0 },
+        skipped: { pet_challenge_progress: 0, pets: 0, pet_memories: 0 },
+    });
+
+    const ledger = fake.callsTo("POST", "credit_ledger").map((c) => [c.body.identity_id, c.body.amount]);
+    assert.deepEqual(ledger, [[GUEST, -3], [USER, 3]]);
+
+    const steps = fake.callsTo("PATCH", "guest_transfers").map((c) => c.body);
+    assert.equal(steps[0].credits, 3);
+    assert.equal(steps[1].sync_moved, false);
+    assert.equal(steps.at(-1).status, "completed");
+});
+
+test("a row that collides with the user's own is skipped, not fatal", async () => {
+    fake.on("GET", "pet_challenge_progress", () => [{ id: 1 }, { id: 2 }]);
+    fake.on("PATCH", "pet_challenge_progress", (call) =>
+        call.query.get("id") === "eq.1" ? { status: 409, body: { code: "23505", message: "duplicate key" } } : []
+    );
+
+    const res = await transfer();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.moved.pet_challenge_progress, 1);
+    assert.equal(res.body.skipped.pet_challenge_progress, 1);
+    assert.deepEqual(fake.callsTo("PATCH", "guest_transfers").at(-1).body.rows_skipped, res.body.skipped);
+});
+
+test("a failure marks the transfer failed instead of deleting it", async () => {
+    fake.on("POST", "rpc/transfer_guest_credits", () => ({ status: 500, body: { code: "XX000", message: "boom" } }));
+
+    const res = await transfer();
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, "SERVER_ERROR");
+    const failed = fake.callsTo("PATCH", "guest_transfers").at(-1).body;
+    assert.equal(failed.status, "failed");
+    assert.match(failed.error, /boom/);
+    assert.equal(fake.callsTo("DELETE", "guest_transfers").length, 0);
+});
+
+test("the same user resumes a failed transfer after its finished steps", async () => {
+    fake.on("POST", "guest_transfers", () => ({ status: 409, body: { code: "23505", message: "duplicate key" } }));
+    fake.on("PATCH", "guest_transfers", (call) =>
+        call.query.has("or")
+            ? [{ guest_id: GUEST, user_id: USER, status: "pending", credits: 3, sync_moved: true }]
+            : [{ guest_id: GUEST }]
+    );
+
+    const res = await transfer();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.transferred, 3);
+    assert.equal(res.body.syncMoved, true);
+    assert.equal(fake.callsTo("POST", "rpc/transfer_guest_credits").length, 0);
+    assert.equal(fake.callsTo("POST", "credit_ledger").length, 0);
+
+    const resume = fake.callsTo("PATCH", "guest_transfers")[0];
+    assert.equal(resume.query.get("user_id"), `eq.${USER}`);
+    assert.equal(fake.callsTo("PATCH", "guest_transfers").at(-1).body.status, "completed");
+});
+
+test("a guest already transferred (or taken by another user) is refused", async () => {
+    fake.on("POST", "guest_transfers", () => ({ status: 409, body: { code: "23505", message: "duplicate key" } }));
+    fake.on("PATCH", "guest_transfers", () => []);
+
+    const res = await transfer();
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "ALREADY_TRANSFERRED");
+    assert.equal(fake.callsTo("POST", "rpc/transfer_guest_credits").length, 0);
+});
+
+test("a transfer needs the guest's own token", async () => {
+    const res = await server.post(
+        "/auth/transfer-credits",
+        { guestId: GUEST },
+        { authorization: `Bearer ${BEARER}`, "x-guest-token": guestToken("guest_someoneelse1") }
+    );
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, "INVALID_GUEST_TOKEN");
+    assert.equal(fake.callsTo("POST", "guest_transfers").length, 0);
+});